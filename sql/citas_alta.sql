@@ -0,0 +1,75 @@
+-- Crea en una sola transacción citas nuevas con su historial inicial, la auditoría de sus sobreturnos y, si se
+-- indican, la serie a la que pertenecen y el cliente nuevo que las pidió: si algo falla no queda nada.
+-- Usada por POST /api/citas y POST /api/citas/series.
+--
+-- p_citas: filas de citas (sin clinica_id ni serie_id), p. ej.
+--   [{ "cliente_id": 1, "doctor_id": 2, "fecha_hora": "...", "duracion_minutos": 30, "estado": "programada", ... }]
+--   Un sobreturno lleva además "conflicto_ids" (las citas con las que se superpone) para citas_sobreturnos.
+-- p_historial: { "usuario_id": 1, "api_key_id": null, "created_at": "..." }, datos comunes de la fila de
+--   citas_estado_historial de cada cita (estado_anterior null, estado_nuevo = su estado).
+-- p_serie: fila de series_citas (sin clinica_id) o null.
+-- p_cliente: fila de clientes (sin clinica_id) o null; las citas sin cliente_id quedan a su nombre. Un DNI
+--   repetido aborta todo con 23505.
+-- Las exclusiones de citas_solapamiento.sql son diferidas: se verifican al confirmar, sobre el estado final.
+-- Devuelve { "serie": fila de series_citas o null, "cita_ids": [...] }.
+drop function if exists crear_citas(bigint, jsonb, jsonb, jsonb);
+create or replace function crear_citas(
+    p_clinica_id bigint,
+    p_citas jsonb,
+    p_historial jsonb,
+    p_serie jsonb default null,
+    p_cliente jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_serie series_citas;
+    v_cliente_id bigint;
+    v_cita jsonb;
+    v_cita_id bigint;
+    v_cita_ids jsonb := '[]';
+begin
+    if p_cliente is not null then
+        insert into clientes (clinica_id, nombre, dni, telefono, activo)
+        select p_clinica_id, c.nombre, c.dni, c.telefono, coalesce(c.activo, true)
+        from jsonb_populate_record(null::clientes, p_cliente) c
+        returning id into v_cliente_id;
+    end if;
+
+    if p_serie is not null then
+        insert into series_citas (clinica_id, doctor_id, cliente_id, frecuencia, repeticiones, hasta, fecha_hora_inicial,
+            duracion_minutos, descripcion, created_by, created_at)
+        select p_clinica_id, s.doctor_id, s.cliente_id, s.frecuencia, s.repeticiones, s.hasta, s.fecha_hora_inicial,
+            s.duracion_minutos, s.descripcion, s.created_by, s.created_at
+        from jsonb_populate_record(null::series_citas, p_serie) s
+        returning * into v_serie;
+    end if;
+
+    for v_cita in select value from jsonb_array_elements(p_citas) loop
+        insert into citas (clinica_id, cliente_id, doctor_id, fecha_hora, timezone, descripcion, estado, duracion_minutos,
+            servicio_id, recurso_ids, sobreturno, sobreturno_por, serie_id, serie_indice)
+        select p_clinica_id, coalesce(c.cliente_id, v_cliente_id), c.doctor_id, c.fecha_hora, c.timezone, c.descripcion, c.estado, c.duracion_minutos,
+            c.servicio_id, coalesce(c.recurso_ids, '{}'), coalesce(c.sobreturno, false), c.sobreturno_por, v_serie.id, c.serie_indice
+        from jsonb_populate_record(null::citas, v_cita) c
+        returning id into v_cita_id;
+
+        insert into citas_estado_historial (clinica_id, cita_id, estado_anterior, estado_nuevo, usuario_id, api_key_id, motivo, forzado, created_at)
+        values (p_clinica_id, v_cita_id, null, v_cita->>'estado', (p_historial->>'usuario_id')::bigint,
+            (p_historial->>'api_key_id')::bigint, null, false, (p_historial->>'created_at')::timestamptz);
+
+        if v_cita ? 'conflicto_ids' then
+            insert into citas_sobreturnos (clinica_id, cita_id, conflicto_ids, usuario_id, created_at)
+            values (p_clinica_id, v_cita_id, array(select jsonb_array_elements_text(v_cita->'conflicto_ids')::integer),
+                (p_historial->>'usuario_id')::bigint, (p_historial->>'created_at')::timestamptz);
+        end if;
+
+        v_cita_ids := v_cita_ids || to_jsonb(v_cita_id);
+    end loop;
+
+    return jsonb_build_object('serie', case when p_serie is null then null else to_jsonb(v_serie) end, 'cita_ids', v_cita_ids);
+end;
+$$;
+
+-- Solo el backend (service role) la invoca.
+revoke execute on function crear_citas(bigint, jsonb, jsonb, jsonb, jsonb) from public, anon, authenticated;
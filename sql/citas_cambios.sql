@@ -0,0 +1,71 @@
+-- Aplica en una sola transacción los cambios de varias citas y el historial que generan. Usada por
+-- PATCH /api/citas/:id (incluida una serie), POST /api/citas/:id/reprogramar, POST /api/citas/lote y
+-- POST /api/citas/:id/restaurar.
+--
+-- p_cambios: [{ "id": 1, "version": 3, "datos": { "fecha_hora": "...", "sobreturno": false, ... } }]
+--   Cada cita se actualiza solo si conserva la versión que leyó el servidor, no está en la papelera (con
+--   p_restaurar, solo si está en ella) y, con p_doctor_id, pertenece a esa agenda. Si alguna no cumple, no se aplica nada: SQLSTATE VX409 con el id de
+--   la cita en DETAIL.
+-- p_estado_historial, p_reprogramaciones, p_sobreturnos: filas (sin clinica_id) para citas_estado_historial,
+--   citas_reprogramaciones y citas_sobreturnos.
+-- Las exclusiones de citas_solapamiento.sql son diferidas: se verifican al confirmar, sobre el estado final.
+-- Devuelve las filas insertadas en citas_reprogramaciones.
+drop function if exists aplicar_cambios_citas(bigint, jsonb, bigint, jsonb, jsonb, jsonb);
+create or replace function aplicar_cambios_citas(
+    p_clinica_id bigint,
+    p_cambios jsonb,
+    p_doctor_id bigint default null,
+    p_estado_historial jsonb default '[]',
+    p_reprogramaciones jsonb default '[]',
+    p_sobreturnos jsonb default '[]',
+    p_restaurar boolean default false
+)
+returns setof citas_reprogramaciones
+language plpgsql
+as $$
+declare
+    v_cambio jsonb;
+begin
+    for v_cambio in select value from jsonb_array_elements(p_cambios) loop
+        -- Las columnas ausentes en `datos` conservan su valor (jsonb_populate_record parte de la fila actual).
+        update citas c
+        set (fecha_hora, duracion_minutos, doctor_id, estado, descripcion, timezone, servicio_id, recurso_ids,
+             sobreturno, sobreturno_por, fecha_hora_anterior, reprogramaciones, reprogramada_por, reprogramada_at,
+             deleted_at, deleted_by, deleted_reason)
+          = (select r.fecha_hora, r.duracion_minutos, r.doctor_id, r.estado, r.descripcion, r.timezone, r.servicio_id,
+                    r.recurso_ids, r.sobreturno, r.sobreturno_por, r.fecha_hora_anterior, r.reprogramaciones,
+                    r.reprogramada_por, r.reprogramada_at,
+                    case when p_restaurar then null else r.deleted_at end,
+                    case when p_restaurar then null else r.deleted_by end,
+                    case when p_restaurar then null else r.deleted_reason end
+             from jsonb_populate_record(c, v_cambio->'datos') r)
+        where c.id = (v_cambio->>'id')::bigint
+          and c.clinica_id = p_clinica_id
+          and c.version = (v_cambio->>'version')::integer
+          and (c.deleted_at is null) = not p_restaurar
+          and (p_doctor_id is null or c.doctor_id = p_doctor_id);
+        if not found then
+            raise exception 'La cita % cambió o ya no existe', v_cambio->>'id'
+                using errcode = 'VX409', detail = v_cambio->>'id';
+        end if;
+    end loop;
+
+    insert into citas_estado_historial (clinica_id, cita_id, estado_anterior, estado_nuevo, usuario_id, api_key_id, motivo, forzado, created_at)
+    select p_clinica_id, h.cita_id, h.estado_anterior, h.estado_nuevo, h.usuario_id, h.api_key_id, h.motivo, coalesce(h.forzado, false), h.created_at
+    from jsonb_populate_recordset(null::citas_estado_historial, p_estado_historial) h;
+
+    insert into citas_sobreturnos (clinica_id, cita_id, conflicto_ids, usuario_id, created_at)
+    select p_clinica_id, s.cita_id, s.conflicto_ids, s.usuario_id, s.created_at
+    from jsonb_populate_recordset(null::citas_sobreturnos, p_sobreturnos) s;
+
+    return query
+    insert into citas_reprogramaciones (clinica_id, cita_id, fecha_hora_anterior, fecha_hora_nueva, doctor_id_anterior,
+        doctor_id_nuevo, duracion_anterior, duracion_nueva, motivo, usuario_id, api_key_id, notificado, created_at)
+    select p_clinica_id, r.cita_id, r.fecha_hora_anterior, r.fecha_hora_nueva, r.doctor_id_anterior, r.doctor_id_nuevo,
+        r.duracion_anterior, r.duracion_nueva, r.motivo, r.usuario_id, r.api_key_id, coalesce(r.notificado, false), r.created_at
+    from jsonb_populate_recordset(null::citas_reprogramaciones, p_reprogramaciones) r
+    returning *;
+end;
+$$;
+
+revoke execute on function aplicar_cambios_citas(bigint, jsonb, bigint, jsonb, jsonb, jsonb, boolean) from public, anon, authenticated;
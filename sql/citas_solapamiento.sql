@@ -0,0 +1,38 @@
+-- Solapamientos garantizados por la base: la verificación previa del servidor (findCitaConflicts /
+-- findRecursoConflicts) da los mensajes detallados, pero dos peticiones en paralelo pueden pasarla a la vez.
+-- Estas exclusiones rechazan la segunda escritura con SQLSTATE 23P01, que el servidor responde como
+-- 409 DOCTOR_DOUBLE_BOOKED / RESOURCE_DOUBLE_BOOKED según el nombre de la restricción.
+-- Son DEFERRABLE INITIALLY DEFERRED: dentro de una transacción (p. ej. desplazar un lote de citas) solo
+-- cuenta el estado final.
+
+create extension if not exists btree_gist; -- igualdad de clinica_id / doctor_id dentro de un índice GiST
+create extension if not exists intarray;   -- gist__int_ops para recurso_ids integer[]
+
+-- Rango [inicio, fin) ocupado por una cita.
+create or replace function cita_rango(p_fecha_hora timestamptz, p_duracion_minutos integer)
+returns tstzrange
+language sql
+immutable
+as $$
+    select tstzrange(p_fecha_hora, p_fecha_hora + make_interval(mins => p_duracion_minutos), '[)');
+$$;
+
+-- Un doctor no puede tener dos citas activas superpuestas, salvo los sobreturnos autorizados.
+alter table citas add constraint citas_doctor_sin_solapamiento
+    exclude using gist (
+        clinica_id with =,
+        doctor_id with =,
+        cita_rango(fecha_hora, duracion_minutos) with &&
+    )
+    where (deleted_at is null and estado <> 'cancelada' and not sobreturno)
+    deferrable initially deferred;
+
+-- Un recurso (consultorio, equipo) no puede estar en dos citas activas a la vez; no admite sobreturno.
+alter table citas add constraint citas_recursos_sin_solapamiento
+    exclude using gist (
+        clinica_id with =,
+        recurso_ids gist__int_ops with &&,
+        cita_rango(fecha_hora, duracion_minutos) with &&
+    )
+    where (deleted_at is null and estado <> 'cancelada')
+    deferrable initially deferred;
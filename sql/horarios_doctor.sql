@@ -0,0 +1,24 @@
+-- Reemplaza la semana completa de un doctor en una sola transacción: si el insert falla, los bloques
+-- anteriores no se pierden. Usada por PUT /api/doctores/:id/horarios y PUT /api/mi-horario/bloques.
+-- p_bloques: [{ "dia_semana": 1, "hora_inicio": "09:00", "hora_fin": "13:00", "duracion_turno_minutos": 30 }, ...]
+create or replace function reemplazar_horarios_doctor(p_clinica_id bigint, p_doctor_id bigint, p_bloques jsonb)
+returns void
+language plpgsql
+as $$
+begin
+    -- Serializa reemplazos concurrentes de la misma semana.
+    perform 1 from doctores where id = p_doctor_id and clinica_id = p_clinica_id for update;
+    if not found then
+        raise exception 'Doctor % no encontrado', p_doctor_id using errcode = 'P0002';
+    end if;
+
+    delete from horarios_doctor where clinica_id = p_clinica_id and doctor_id = p_doctor_id;
+
+    insert into horarios_doctor (clinica_id, doctor_id, dia_semana, hora_inicio, hora_fin, duracion_turno_minutos)
+    select p_clinica_id, p_doctor_id, b.dia_semana, b.hora_inicio, b.hora_fin, b.duracion_turno_minutos
+    from jsonb_to_recordset(p_bloques) as b(dia_semana smallint, hora_inicio time, hora_fin time, duracion_turno_minutos int);
+end;
+$$;
+
+-- Solo el backend (service role) la invoca.
+revoke execute on function reemplazar_horarios_doctor(bigint, bigint, jsonb) from public, anon, authenticated;
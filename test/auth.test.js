@@ -0,0 +1,28 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+test('un refresh token ya rotado revoca toda la sesión', async () => {
+    const { refreshToken } = await api.login('secretaria@test.com');
+
+    const rotated = await api.request('POST', '/api/refresh', { body: { refreshToken } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refreshToken, refreshToken);
+
+    const reused = await api.request('POST', '/api/refresh', { body: { refreshToken } });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.reason, 'REFRESH_TOKEN_REUSED');
+
+    // El token vigente de la sesión también quedó revocado.
+    const afterReuse = await api.request('POST', '/api/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+    assert.equal(afterReuse.status, 401);
+    assert.equal(afterReuse.body.reason, 'INVALID_REFRESH_TOKEN');
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let admin;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push(
+        { id: 1, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 },
+        { id: 2, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '11:00'), duracion_minutos: 30, estado: 'completada', recurso_ids: [], clinica_id: 1 }
+    );
+    api = await startApp({ seed });
+    ({ token: admin } = await api.login('admin@test.com'));
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+test('una transición permitida se aplica y queda en el historial', async () => {
+    const response = await api.request('PATCH', '/api/citas/1', { token: secretaria, body: { estado: 'confirmada', motivo: 'Confirmó por teléfono' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.estado, 'confirmada');
+
+    const historial = await api.request('GET', '/api/citas/1/historial', { token: secretaria });
+    assert.equal(historial.status, 200);
+    assert.deepEqual(historial.body.historial.map(({ estado_anterior, estado_nuevo, motivo, forzado }) => ({ estado_anterior, estado_nuevo, motivo, forzado })), [
+        { estado_anterior: 'programada', estado_nuevo: 'confirmada', motivo: 'Confirmó por teléfono', forzado: false }
+    ]);
+});
+
+test('una cita cerrada no cambia de estado sin citas:estado-override', async () => {
+    const response = await api.request('PATCH', '/api/citas/2', { token: secretaria, body: { estado: 'programada' } });
+    assert.equal(response.status, 400);
+    assert.match(response.body.details[0].message, /No se puede pasar de 'completada' a 'programada'/);
+    assert.equal(api.db.citas.find((cita) => cita.id === 2).estado, 'completada');
+});
+
+test('con citas:estado-override la transición se fuerza y se marca en el historial', async () => {
+    const response = await api.request('PATCH', '/api/citas/2', { token: admin, body: { estado: 'programada', motivo: 'Cargada por error' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.estado, 'programada');
+
+    const [fila] = api.db.citas_estado_historial.filter((cambio) => cambio.cita_id === 2);
+    assert.equal(fila.forzado, true);
+    assert.equal(fila.usuario_id, 1);
+});
+
+test('cancelar libera el turno para otra cita', async () => {
+    const cancel = await api.request('PATCH', '/api/citas/1', { token: secretaria, body: { estado: 'cancelada' } });
+    assert.equal(cancel.status, 200);
+
+    const created = await api.request('POST', '/api/citas', { token: secretaria, body: { cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30 } });
+    assert.equal(created.status, 201);
+});
+
+test('una cita nueva solo puede crearse programada o confirmada', async () => {
+    const body = { cliente_id: 1, doctor_id: 2, fecha_hora: at(lunes, '12:00'), duracion_minutos: 30 };
+    for (const estado of ['completada', 'no_asistio', 'cancelada']) {
+        const response = await api.request('POST', '/api/citas', { token: admin, body: { ...body, estado } });
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.details[0].path, ['estado']);
+    }
+    assert.equal(api.db.citas.filter((cita) => cita.doctor_id === 2).length, 0);
+
+    const confirmada = await api.request('POST', '/api/citas', { token: secretaria, body: { ...body, estado: 'confirmada' } });
+    assert.equal(confirmada.status, 201);
+    assert.equal(confirmada.body.estado, 'confirmada');
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push(
+        { id: 1, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '09:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 },
+        { id: 2, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'confirmada', recurso_ids: [], clinica_id: 1 },
+        { id: 3, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '11:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 },
+        { id: 4, cliente_id: 1, doctor_id: 2, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 }
+    );
+    api = await startApp({ seed });
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+const horarios = () => api.db.citas.filter((cita) => cita.doctor_id === 1).map((cita) => cita.fecha_hora);
+const desplazar = { doctor_id: 1, desde: lunes, accion: { tipo: 'desplazar', minutos: 60 }, motivo: 'Demora' };
+
+test('dry_run informa los cambios sin modificar nada', async () => {
+    const antes = horarios();
+    const response = await api.request('POST', '/api/citas/lote', { token: secretaria, body: { ...desplazar, dry_run: true } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dry_run, true);
+    assert.deepEqual(response.body.citas.map((cita) => cita.cambios.fecha_hora), [at(lunes, '10:00'), at(lunes, '11:00'), at(lunes, '12:00')]);
+    assert.deepEqual(response.body.rechazadas, []);
+    assert.deepEqual(horarios(), antes);
+});
+
+test('si una cita del lote no puede moverse, no se modifica ninguna', async () => {
+    const antes = api.db.citas.map((cita) => ({ ...cita }));
+    const response = await api.request('POST', '/api/citas/lote', {
+        token: secretaria,
+        body: { doctor_id: 1, desde: lunes, accion: { tipo: 'reasignar', doctor_id: 2 } }
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.reason, 'BULK_CONFLICT');
+    assert.deepEqual(response.body.ocurrencias.map((cita) => cita.id), [2]);
+    assert.deepEqual(api.db.citas, antes);
+});
+
+test('un fallo al guardar revierte el lote completo y el reintento lo aplica', async () => {
+    const headers = { 'Idempotency-Key': 'lote-demora' };
+    const antes = horarios();
+
+    api.fake.failNextRpc('aplicar_cambios_citas');
+    const failed = await api.request('POST', '/api/citas/lote', { token: secretaria, body: desplazar, headers });
+    assert.equal(failed.status, 500);
+    assert.deepEqual(horarios(), antes);
+    assert.equal((api.db.citas_reprogramaciones || []).length, 0);
+
+    const retry = await api.request('POST', '/api/citas/lote', { token: secretaria, body: desplazar, headers });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.total, 3);
+    assert.deepEqual(horarios(), [at(lunes, '10:00'), at(lunes, '11:00'), at(lunes, '12:00')]);
+    assert.deepEqual(api.db.citas_reprogramaciones.map((fila) => [fila.cita_id, fila.motivo]), [[1, 'Demora'], [2, 'Demora'], [3, 'Demora']]);
+});
+
+test('cancelar en lote registra cada cambio de estado', async () => {
+    const response = await api.request('POST', '/api/citas/lote', {
+        token: secretaria,
+        body: { doctor_id: 1, desde: lunes, accion: { tipo: 'cancelar' }, motivo: 'Congreso' }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total, 3);
+    assert.ok(response.body.citas.every((cita) => cita.estado === 'cancelada'));
+    assert.deepEqual(api.db.citas_estado_historial.map((fila) => [fila.cita_id, fila.estado_nuevo, fila.motivo]), [
+        [1, 'cancelada', 'Congreso'], [2, 'cancelada', 'Congreso'], [3, 'cancelada', 'Congreso']
+    ]);
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let admin;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push(
+        { id: 1, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 },
+        { id: 2, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '11:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 }
+    );
+    api = await startApp({ seed });
+    ({ token: admin } = await api.login('admin@test.com'));
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+test('eliminar una cita inexistente o ya eliminada responde 404', async () => {
+    const inexistente = await api.request('DELETE', '/api/citas/999', { token: secretaria, body: { motivo: 'Duplicada' } });
+    assert.equal(inexistente.status, 404);
+
+    const eliminada = await api.request('DELETE', '/api/citas/2', { token: secretaria, body: { motivo: 'Duplicada' } });
+    assert.equal(eliminada.status, 204);
+    const otraVez = await api.request('DELETE', '/api/citas/2', { token: secretaria, body: { motivo: 'Duplicada' } });
+    assert.equal(otraVez.status, 404);
+});
+
+test('restaurar con sobreturno guarda la cita y su auditoría juntas', async () => {
+    const eliminar = await api.request('DELETE', '/api/citas/1', { token: secretaria, body: { motivo: 'Error de carga' } });
+    assert.equal(eliminar.status, 204);
+    const ocupa = await api.request('POST', '/api/citas', { token: secretaria, body: { cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30 } });
+    assert.equal(ocupa.status, 201);
+
+    const sinSobreturno = await api.request('POST', '/api/citas/1/restaurar', { token: admin, body: {} });
+    assert.equal(sinSobreturno.status, 409);
+    assert.equal(sinSobreturno.body.reason, 'DOCTOR_DOUBLE_BOOKED');
+
+    api.fake.failNextRpc('aplicar_cambios_citas');
+    const failed = await api.request('POST', '/api/citas/1/restaurar', { token: admin, body: { sobreturno: true } });
+    assert.equal(failed.status, 500);
+    assert.notEqual(api.db.citas.find((cita) => cita.id === 1).deleted_at, null);
+    assert.equal((api.db.citas_sobreturnos || []).length, 0);
+
+    const restaurada = await api.request('POST', '/api/citas/1/restaurar', { token: admin, body: { sobreturno: true } });
+    assert.equal(restaurada.status, 200);
+    assert.equal(restaurada.body.sobreturno, true);
+    assert.equal(api.db.citas.find((cita) => cita.id === 1).deleted_at, null);
+    assert.deepEqual(api.db.citas_sobreturnos.map((fila) => [fila.cita_id, fila.conflicto_ids]), [[1, [ocupa.body.id]]]);
+
+    const otraVez = await api.request('POST', '/api/citas/1/restaurar', { token: admin, body: {} });
+    assert.equal(otraVez.status, 404);
+});
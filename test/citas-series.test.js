@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let secretaria;
+
+before(async () => {
+    api = await startApp();
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+const body = { cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '09:00'), duracion_minutos: 30, recurrencia: { frecuencia: 'semanal', repeticiones: 3 } };
+
+test('si falla el alta no queda ni la serie ni sus citas, y el reintento crea una sola', async () => {
+    const headers = { 'Idempotency-Key': 'serie-control' };
+
+    api.fake.failNextRpc('crear_citas');
+    const failed = await api.request('POST', '/api/citas/series', { token: secretaria, body, headers });
+    assert.equal(failed.status, 500);
+    assert.equal((api.db.series_citas || []).length, 0);
+    assert.equal((api.db.citas || []).length, 0);
+    assert.equal((api.db.citas_estado_historial || []).length, 0);
+
+    const retry = await api.request('POST', '/api/citas/series', { token: secretaria, body, headers });
+    assert.equal(retry.status, 201);
+    assert.equal(retry.body.citas.length, 3);
+    assert.ok(retry.body.citas.every((cita) => cita.serie_id === retry.body.serie.id));
+    assert.equal(api.db.series_citas.length, 1);
+    assert.deepEqual(api.db.citas_estado_historial.map((fila) => [fila.cita_id, fila.estado_anterior, fila.estado_nuevo]),
+        retry.body.citas.map((cita) => [cita.id, null, 'programada']));
+});
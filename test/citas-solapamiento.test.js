@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let admin;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push({ id: 1, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 });
+    api = await startApp({ seed });
+    ({ token: admin } = await api.login('admin@test.com'));
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+const nuevaCita = (hora, extra = {}) => ({ cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, hora), duracion_minutos: 30, ...extra });
+
+test('una cita superpuesta con otra del doctor se rechaza', async () => {
+    const response = await api.request('POST', '/api/citas', { token: secretaria, body: nuevaCita('10:15') });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.reason, 'DOCTOR_DOUBLE_BOOKED');
+    assert.deepEqual(response.body.conflictos.map((cita) => cita.id), [1]);
+});
+
+test('el sobreturno requiere citas:overbook', async () => {
+    const response = await api.request('POST', '/api/citas', { token: secretaria, body: nuevaCita('10:15', { sobreturno: true }) });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.required, 'citas:overbook');
+});
+
+test('un sobreturno autorizado se guarda y queda auditado', async () => {
+    const response = await api.request('POST', '/api/citas', { token: admin, body: nuevaCita('10:15', { sobreturno: true }) });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.sobreturno, true);
+
+    const [auditoria] = api.db.citas_sobreturnos.filter((fila) => fila.cita_id === response.body.id);
+    assert.deepEqual(auditoria.conflicto_ids, [1]);
+    assert.equal(auditoria.usuario_id, 1);
+});
+
+test('dos reservas simultáneas del mismo turno: solo una se guarda', async () => {
+    const [a, b] = await Promise.all([
+        api.request('POST', '/api/citas', { token: secretaria, body: nuevaCita('14:00') }),
+        api.request('POST', '/api/citas', { token: secretaria, body: nuevaCita('14:00') })
+    ]);
+    assert.deepEqual([a.status, b.status].sort(), [201, 409]);
+    assert.equal((a.status === 409 ? a : b).body.reason, 'DOCTOR_DOUBLE_BOOKED');
+    assert.equal(api.db.citas.filter((cita) => cita.fecha_hora === at(lunes, '14:00')).length, 1);
+});
+
+test('mover una cita sobre otra también se rechaza', async () => {
+    const created = await api.request('POST', '/api/citas', { token: secretaria, body: nuevaCita('15:00') });
+    assert.equal(created.status, 201);
+
+    const response = await api.request('PATCH', `/api/citas/${created.body.id}`, { token: secretaria, body: { fecha_hora: at(lunes, '10:00') } });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.reason, 'DOCTOR_DOUBLE_BOOKED');
+});
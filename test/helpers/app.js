@@ -0,0 +1,88 @@
+// Levanta la API contra el PostgREST de prueba. server.js lee su configuración al cargarse, así que cada
+// archivo de test (node --test corre cada uno en su propio proceso) llama a startApp una sola vez, antes
+// de cualquier otro require de server.js.
+const bcrypt = require('bcryptjs');
+const { once } = require('events');
+const { createFakePostgrest } = require('./fake-postgrest');
+
+const PASSWORD = 'secret123';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+// Restricciones únicas que server.js espera de la base.
+const UNIQUE_COLUMNS = {
+    usuarios: ['email'],
+    clientes: ['dni'],
+    idempotency_keys: ['clave']
+};
+
+// Lunes a dos semanas de hoy ('YYYY-MM-DD', UTC): las citas de los tests siempre quedan en el futuro.
+const proximoLunes = () => {
+    const fecha = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000);
+    fecha.setUTCDate(fecha.getUTCDate() + ((8 - fecha.getUTCDay()) % 7));
+    return fecha.toISOString().slice(0, 10);
+};
+
+// Instante ISO de `fecha` a la `hora` ('HH:MM') de la clínica de prueba (UTC).
+const at = (fecha, hora) => `${fecha}T${hora}:00.000Z`;
+
+// Una clínica (en UTC) con un usuario por rol, dos doctores de 09:00 a 17:00 y un paciente.
+const createSeed = () => ({
+    clinicas: [{ id: 1, nombre: 'Clínica de prueba', timezone: 'UTC', activo: true }],
+    usuarios: [
+        { id: 1, nombre: 'Admin', email: 'admin@test.com', rol: 'admin', password_hash: PASSWORD_HASH, activo: true, clinica_id: 1 },
+        { id: 2, nombre: 'Secretaria', email: 'secretaria@test.com', rol: 'secretaria', password_hash: PASSWORD_HASH, activo: true, clinica_id: 1 },
+        { id: 3, nombre: 'Doctora', email: 'doctora@test.com', rol: 'doctor', password_hash: PASSWORD_HASH, activo: true, doctor_id: 1, clinica_id: 1 }
+    ],
+    doctores: [
+        { id: 1, nombre: 'Dra. Ana', especialidad: 'Clínica', horario_inicio: '09:00', horario_fin: '17:00', activo: true, clinica_id: 1 },
+        { id: 2, nombre: 'Dr. Beto', especialidad: 'Kinesiología', horario_inicio: '09:00', horario_fin: '17:00', activo: true, clinica_id: 1 }
+    ],
+    clientes: [{ id: 1, nombre: 'Paciente Uno', dni: '111', telefono: '1155550000', activo: true, clinica_id: 1 }],
+    citas: []
+});
+
+const startApp = async ({ seed = createSeed(), env = {} } = {}) => {
+    const fake = createFakePostgrest(seed, { unique: UNIQUE_COLUMNS });
+    const supabaseUrl = await fake.listen();
+    Object.assign(process.env, {
+        JWT_SECRET: 'test-secret',
+        SUPABASE_URL: supabaseUrl,
+        SUPABASE_SERVICE_KEY: 'test-service-key',
+        TOKEN_STORE: 'memory'
+    }, env);
+
+    const { app } = require('../../server');
+    const server = app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { token, body, headers = {} } = {}) => {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    };
+
+    const login = async (email, password = PASSWORD) => {
+        const response = await request('POST', '/api/login', { body: { email, password } });
+        if (response.status !== 200) throw new Error(`Login de ${email} falló (${response.status}): ${JSON.stringify(response.body)}`);
+        return response.body;
+    };
+
+    const close = () => {
+        server.closeAllConnections();
+        server.close();
+        fake.close();
+    };
+
+    return { db: fake.db, fake, request, login, close };
+};
+
+module.exports = { startApp, createSeed, proximoLunes, at, PASSWORD };
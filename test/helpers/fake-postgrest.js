@@ -0,0 +1,372 @@
+// PostgREST (la API REST de Supabase) en memoria para los tests: entiende los filtros, órdenes, embebidos,
+// conteos y RPCs que usa server.js. Emula también lo que en producción hace la base de datos: el trigger que
+// incrementa `version`, las restricciones únicas, las exclusiones de sql/citas_solapamiento.sql y las
+// funciones de sql/ (cada RPC es una transacción: si falla, no queda nada escrito).
+const http = require('http');
+const { once } = require('events');
+
+// Tablas cuyo trigger incrementa `version` en cada UPDATE.
+const VERSIONED_TABLES = ['citas', 'doctores', 'clientes'];
+
+// Columnas que aplicar_cambios_citas toma de `datos` (sql/citas_cambios.sql).
+const CITA_CAMBIO_COLUMNS = [
+    'fecha_hora', 'duracion_minutos', 'doctor_id', 'estado', 'descripcion', 'timezone', 'servicio_id', 'recurso_ids',
+    'sobreturno', 'sobreturno_por', 'fecha_hora_anterior', 'reprogramaciones', 'reprogramada_por', 'reprogramada_at'
+];
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}T/;
+
+// Error con la forma de PostgREST ({ code, message, details }) que se responde con 400/409.
+class PostgrestError extends Error {
+    constructor(code, message, details = null, status = 400) {
+        super(message);
+        this.body = { code, message, details, hint: null };
+        this.status = status;
+    }
+}
+
+const parseValue = (raw) => {
+    if (/^".*"$/.test(raw)) return raw.slice(1, -1);
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+    return raw;
+};
+
+// Las fechas se comparan como instantes, igual que timestamptz (no como texto).
+const compare = (a, b) => {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (ISO_DATE_REGEX.test(a) && ISO_DATE_REGEX.test(b)) return Date.parse(a) - Date.parse(b);
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const parseList = (raw) => raw.replace(/^[({]|[)}]$/g, '').split(',').map((item) => parseValue(item.trim()));
+
+// Evalúa un filtro de PostgREST (`eq.5`, `not.in.(a,b)`, `ov.{1,2}`...) sobre la columna de una fila.
+const matches = (row, column, expression) => {
+    const negated = expression.startsWith('not.');
+    const rest = negated ? expression.slice(4) : expression;
+    const separator = rest.indexOf('.');
+    const operator = rest.slice(0, separator);
+    const raw = rest.slice(separator + 1);
+    const value = row[column];
+    let result;
+    switch (operator) {
+        case 'eq': result = value != null && compare(value, parseValue(raw)) === 0; break;
+        case 'neq': result = value != null && compare(value, parseValue(raw)) !== 0; break;
+        case 'gt': result = value != null && compare(value, parseValue(raw)) > 0; break;
+        case 'gte': result = value != null && compare(value, parseValue(raw)) >= 0; break;
+        case 'lt': result = value != null && compare(value, parseValue(raw)) < 0; break;
+        case 'lte': result = value != null && compare(value, parseValue(raw)) <= 0; break;
+        case 'is': result = raw === 'null' ? value == null : value === parseValue(raw); break;
+        case 'in': result = value != null && parseList(raw).some((item) => compare(value, item) === 0); break;
+        case 'cs': result = Array.isArray(value) && parseList(raw).every((item) => value.includes(item)); break;
+        case 'ov': result = Array.isArray(value) && parseList(raw).some((item) => value.includes(item)); break;
+        default: throw new PostgrestError('PGRST100', `Operador no soportado por el PostgREST de prueba: ${operator}`);
+    }
+    return negated ? !result : result;
+};
+
+// Separa por comas de primer nivel: `a.eq.1,and(b.eq.2,c.lt.3)`.
+const splitTopLevel = (expression) => {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of expression) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+};
+
+const matchesCondition = (row, condition) => {
+    if (condition.startsWith('and(')) return splitTopLevel(condition.slice(4, -1)).every((part) => matchesCondition(row, part));
+    if (condition.startsWith('or(')) return splitTopLevel(condition.slice(3, -1)).some((part) => matchesCondition(row, part));
+    const separator = condition.indexOf('.');
+    return matches(row, condition.slice(0, separator), condition.slice(separator + 1));
+};
+
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset', 'on_conflict', 'columns'];
+
+const filterRows = (rows, params) => params.reduce((filtered, [key, value]) => {
+    if (RESERVED_PARAMS.includes(key)) return filtered;
+    if (key === 'or') return filtered.filter((row) => splitTopLevel(value.slice(1, -1)).some((part) => matchesCondition(row, part)));
+    if (key === 'and') return filtered.filter((row) => splitTopLevel(value.slice(1, -1)).every((part) => matchesCondition(row, part)));
+    return filtered.filter((row) => matches(row, key, value));
+}, rows);
+
+// Embebidos `alias:tabla (...)` (o `alias:tabla!fk (...)`): la fila relacionada por `<alias>_id` (o por fk).
+const embed = (db, row, select) => {
+    const result = { ...row };
+    const pattern = /(\w+):(\w+)(!\w+)?\s*\(/g;
+    let match;
+    while ((match = pattern.exec(select || ''))) {
+        const [, alias, table, foreignKey] = match;
+        const column = foreignKey ? foreignKey.slice(1) : `${alias}_id`;
+        const related = (db[table] || []).find((candidate) => candidate.id === row[column]);
+        result[alias] = related ? { ...related } : null;
+    }
+    return result;
+};
+
+const sortRows = (rows, order) => {
+    if (!order) return rows;
+    const specs = order.split(',').map((spec) => spec.split('.'));
+    return [...rows].sort((a, b) => {
+        for (const [column, direction] of specs) {
+            const result = a[column] == null || b[column] == null
+                ? (a[column] == null) - (b[column] == null)
+                : compare(a[column], b[column]);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+};
+
+// Nombre de la exclusión de sql/citas_solapamiento.sql que violan las citas, o null.
+const findExclusionViolation = (citas) => {
+    const activas = citas.filter((cita) => cita.deleted_at == null && cita.estado !== 'cancelada');
+    const rango = (cita) => [Date.parse(cita.fecha_hora), Date.parse(cita.fecha_hora) + cita.duracion_minutos * 60000];
+    for (let i = 0; i < activas.length; i++) {
+        for (let j = i + 1; j < activas.length; j++) {
+            const [a, b] = [activas[i], activas[j]];
+            if (a.clinica_id !== b.clinica_id) continue;
+            const [inicioA, finA] = rango(a);
+            const [inicioB, finB] = rango(b);
+            if (!(inicioA < finB && inicioB < finA)) continue;
+            if (a.doctor_id === b.doctor_id && !a.sobreturno && !b.sobreturno) return 'citas_doctor_sin_solapamiento';
+            if ((a.recurso_ids || []).some((recursoId) => (b.recurso_ids || []).includes(recursoId))) return 'citas_recursos_sin_solapamiento';
+        }
+    }
+    return null;
+};
+
+const createFakePostgrest = (seed, { unique = {} } = {}) => {
+    const db = JSON.parse(JSON.stringify(seed));
+    const failingRpcs = new Set();
+    for (const table of VERSIONED_TABLES) {
+        for (const row of db[table] || []) if (row.version === undefined) row.version = 1;
+    }
+
+    const table = (name) => db[name] || (db[name] = []);
+    const nextId = (name) => Math.max(0, ...table(name).map((row) => (typeof row.id === 'number' ? row.id : 0))) + 1;
+
+    const insertRow = (name, values) => {
+        for (const column of unique[name] || []) {
+            if (values[column] != null && table(name).some((row) => row[column] === values[column])) {
+                throw new PostgrestError('23505', `duplicate key value violates unique constraint "${name}_${column}_key"`, null, 409);
+            }
+        }
+        const row = { ...values };
+        if (row.id == null) row.id = nextId(name);
+        if (row.created_at === undefined) row.created_at = new Date().toISOString();
+        if (VERSIONED_TABLES.includes(name) && row.version === undefined) row.version = 1;
+        table(name).push(row);
+        return row;
+    };
+
+    const updateRow = (name, row, values) => {
+        Object.assign(row, values);
+        if (VERSIONED_TABLES.includes(name)) row.version = (row.version || 1) + 1;
+    };
+
+    // Ejecuta `operation` como una transacción: si falla o deja citas superpuestas, se restaura todo.
+    const transaction = (operation) => {
+        const snapshot = JSON.stringify(db);
+        const restore = () => {
+            const previous = JSON.parse(snapshot);
+            for (const key of Object.keys(db)) delete db[key];
+            Object.assign(db, previous);
+        };
+        try {
+            const result = operation();
+            const violation = findExclusionViolation(table('citas'));
+            if (violation) throw new PostgrestError('23P01', `conflicting key value violates exclusion constraint "${violation}"`, null, 409);
+            return result;
+        } catch (error) {
+            restore();
+            throw error;
+        }
+    };
+
+    // Funciones de sql/ que server.js llama por RPC.
+    const rpcs = {
+        reemplazar_horarios_doctor: ({ p_clinica_id, p_doctor_id, p_bloques }) => {
+            if (!table('doctores').some((doctor) => doctor.id === p_doctor_id && doctor.clinica_id === p_clinica_id)) {
+                throw new PostgrestError('P0002', 'Doctor no encontrado');
+            }
+            db.horarios_doctor = table('horarios_doctor')
+                .filter((bloque) => !(bloque.clinica_id === p_clinica_id && bloque.doctor_id === p_doctor_id));
+            for (const bloque of p_bloques) {
+                insertRow('horarios_doctor', { duracion_turno_minutos: null, ...bloque, clinica_id: p_clinica_id, doctor_id: p_doctor_id });
+            }
+            return null;
+        },
+        crear_citas: ({ p_clinica_id, p_citas, p_historial, p_serie = null, p_cliente = null }) => {
+            const cliente = p_cliente && insertRow('clientes', { activo: true, ...p_cliente, clinica_id: p_clinica_id });
+            const serie = p_serie && insertRow('series_citas', { ...p_serie, clinica_id: p_clinica_id });
+            const citaIds = p_citas.map(({ conflicto_ids: conflictoIds, ...fila }) => {
+                const cita = insertRow('citas', {
+                    recurso_ids: [], sobreturno: false, ...fila,
+                    cliente_id: fila.cliente_id || (cliente ? cliente.id : null),
+                    serie_id: serie ? serie.id : null,
+                    clinica_id: p_clinica_id
+                });
+                insertRow('citas_estado_historial', {
+                    cita_id: cita.id, estado_anterior: null, estado_nuevo: cita.estado, usuario_id: p_historial.usuario_id,
+                    api_key_id: p_historial.api_key_id, motivo: null, forzado: false, created_at: p_historial.created_at, clinica_id: p_clinica_id
+                });
+                if (conflictoIds) {
+                    insertRow('citas_sobreturnos', {
+                        cita_id: cita.id, conflicto_ids: conflictoIds, usuario_id: p_historial.usuario_id, created_at: p_historial.created_at, clinica_id: p_clinica_id
+                    });
+                }
+                return cita.id;
+            });
+            return { serie, cita_ids: citaIds };
+        },
+        aplicar_cambios_citas: (params) => {
+            for (const cambio of params.p_cambios) {
+                const cita = table('citas').find((row) => row.id === cambio.id
+                    && row.clinica_id === params.p_clinica_id
+                    && row.version === cambio.version
+                    && (row.deleted_at == null) === !params.p_restaurar
+                    && (params.p_doctor_id == null || row.doctor_id === params.p_doctor_id));
+                if (!cita) throw new PostgrestError('VX409', `La cita ${cambio.id} cambió o ya no existe`, String(cambio.id));
+                const restaurada = params.p_restaurar ? { deleted_at: null, deleted_by: null, deleted_reason: null } : {};
+                updateRow('citas', cita, Object.fromEntries(CITA_CAMBIO_COLUMNS
+                    .filter((column) => column in cambio.datos)
+                    .map((column) => [column, cambio.datos[column]])
+                    .concat(Object.entries(restaurada))));
+            }
+            for (const fila of params.p_estado_historial || []) insertRow('citas_estado_historial', { forzado: false, ...fila, clinica_id: params.p_clinica_id });
+            for (const fila of params.p_sobreturnos || []) insertRow('citas_sobreturnos', { ...fila, clinica_id: params.p_clinica_id });
+            return (params.p_reprogramaciones || []).map((fila) => insertRow('citas_reprogramaciones', { notificado: false, ...fila, clinica_id: params.p_clinica_id }));
+        }
+    };
+
+    const callRpc = (name, params) => {
+        if (!rpcs[name]) throw new PostgrestError('PGRST202', `Could not find the function public.${name}`, null, 404);
+        return transaction(() => {
+            const result = rpcs[name](params);
+            // Falla después de escribir, para comprobar que la transacción no deja nada a medias.
+            if (failingRpcs.delete(name)) throw new PostgrestError('XX000', `Fallo simulado en ${name}`);
+            return result;
+        });
+    };
+
+    const handle = (req, body) => {
+        const url = new URL(req.url, 'http://localhost');
+        const rpcMatch = url.pathname.match(/^\/rest\/v1\/rpc\/(\w+)$/);
+        if (rpcMatch) return { status: 200, body: callRpc(rpcMatch[1], body ? JSON.parse(body) : {}) ?? null };
+
+        const tableMatch = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+        if (!tableMatch) throw new PostgrestError('PGRST000', `Ruta desconocida: ${url.pathname}`, null, 404);
+        const name = tableMatch[1];
+        const params = [...url.searchParams.entries()];
+        const select = url.searchParams.get('select');
+        const prefer = req.headers.prefer || '';
+
+        if (req.method === 'GET' || req.method === 'HEAD') {
+            const rows = sortRows(filterRows(table(name), params), url.searchParams.get('order'));
+            const offset = Number(url.searchParams.get('offset') || 0);
+            const limit = url.searchParams.get('limit');
+            const page = rows.slice(offset, limit ? offset + Number(limit) : undefined);
+            return { status: 200, body: page.map((row) => embed(db, row, select)), total: rows.length, offset };
+        }
+
+        if (req.method === 'POST') {
+            const values = JSON.parse(body);
+            const items = Array.isArray(values) ? values : [values];
+            const rows = transaction(() => {
+                if (!prefer.includes('resolution=merge-duplicates')) return items.map((item) => insertRow(name, item));
+                const conflictColumn = url.searchParams.get('on_conflict') || 'id';
+                return items.map((item) => {
+                    const existing = table(name).find((row) => row[conflictColumn] === item[conflictColumn]);
+                    if (!existing) return insertRow(name, item);
+                    updateRow(name, existing, item);
+                    return existing;
+                });
+            });
+            return { status: 201, body: rows.map((row) => embed(db, row, select)) };
+        }
+
+        if (req.method === 'PATCH') {
+            const values = JSON.parse(body);
+            const rows = transaction(() => {
+                const matched = filterRows(table(name), params);
+                for (const row of matched) updateRow(name, row, values);
+                return matched;
+            });
+            return { status: 200, body: rows.map((row) => embed(db, row, select)) };
+        }
+
+        if (req.method === 'DELETE') {
+            const rows = filterRows(table(name), params);
+            db[name] = table(name).filter((row) => !rows.includes(row));
+            return { status: 200, body: rows.map((row) => embed(db, row, select)) };
+        }
+
+        throw new PostgrestError('PGRST000', `Método no soportado: ${req.method}`, null, 405);
+    };
+
+    const send = (req, res, { status, body, total, offset = 0 }) => {
+        // .single()/.maybeSingle() piden un objeto: PostgREST responde 406 si no hay exactamente una fila.
+        if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json') && Array.isArray(body)) {
+            if (body.length !== 1) {
+                res.writeHead(406, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned', details: `The result contains ${body.length} rows`, hint: null }));
+            }
+            res.writeHead(status, { 'Content-Type': 'application/vnd.pgrst.object+json' });
+            return res.end(JSON.stringify(body[0]));
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (Array.isArray(body)) {
+            const count = total ?? body.length;
+            headers['Content-Range'] = body.length > 0 ? `${offset}-${offset + body.length - 1}/${count}` : `*/${count}`;
+        }
+        res.writeHead(status, headers);
+        res.end(req.method === 'HEAD' ? undefined : JSON.stringify(body));
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            try {
+                send(req, res, handle(req, body));
+            } catch (error) {
+                const { status, body: errorBody } = error instanceof PostgrestError
+                    ? error
+                    : { status: 500, body: { code: 'XX000', message: error.message, details: null, hint: null } };
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(errorBody));
+            }
+        });
+    });
+
+    return {
+        db,
+        // La próxima llamada a la RPC `name` falla después de escribir (y se revierte).
+        failNextRpc: (name) => failingRpcs.add(name),
+        listen: async () => {
+            server.listen(0, '127.0.0.1');
+            await once(server, 'listening');
+            return `http://127.0.0.1:${server.address().port}`;
+        },
+        close: () => {
+            server.closeAllConnections();
+            server.close();
+        }
+    };
+};
+
+module.exports = { createFakePostgrest, findExclusionViolation };
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push({ id: 1, cliente_id: 1, doctor_id: 2, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 });
+    api = await startApp({ seed });
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+const body = { cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '09:00'), duracion_minutos: 30 };
+
+test('un reintento con la misma Idempotency-Key recibe la respuesta original', async () => {
+    const headers = { 'Idempotency-Key': 'crear-cita-1' };
+    const first = await api.request('POST', '/api/citas', { token: secretaria, body, headers });
+    assert.equal(first.status, 201);
+
+    const replay = await api.request('POST', '/api/citas', { token: secretaria, body, headers });
+    assert.equal(replay.status, 201);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.id, first.body.id);
+    assert.equal(api.db.citas.filter((cita) => cita.fecha_hora === body.fecha_hora).length, 1);
+});
+
+test('la misma clave con otra petición se rechaza', async () => {
+    const response = await api.request('POST', '/api/citas', {
+        token: secretaria,
+        body: { ...body, fecha_hora: at(lunes, '09:30') },
+        headers: { 'Idempotency-Key': 'crear-cita-1' }
+    });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.reason, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('un error 5xx no se guarda: el reintento vuelve a ejecutarse', async () => {
+    const headers = { 'Idempotency-Key': 'reprogramar-1' };
+    const reprogramar = { fecha_hora: at(lunes, '11:00') };
+
+    api.fake.failNextRpc('aplicar_cambios_citas');
+    const failed = await api.request('POST', '/api/citas/1/reprogramar', { token: secretaria, body: reprogramar, headers });
+    assert.equal(failed.status, 500);
+    assert.equal(api.db.citas.find((cita) => cita.id === 1).fecha_hora, at(lunes, '10:00'));
+
+    const retry = await api.request('POST', '/api/citas/1/reprogramar', { token: secretaria, body: reprogramar, headers });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(retry.body.cita.fecha_hora, reprogramar.fecha_hora);
+    assert.equal(api.db.citas_reprogramaciones.length, 1);
+});
+
+test('si falla una escritura posterior a la cita, el reintento con la misma clave la crea una sola vez', async () => {
+    const headers = { 'Idempotency-Key': 'crear-cita-cliente-nuevo' };
+    const nueva = { doctor_id: 1, fecha_hora: at(lunes, '12:00'), duracion_minutos: 30, new_client_name: 'Paciente Nuevo', new_client_dni: '999' };
+
+    api.fake.failNextRpc('crear_citas');
+    const failed = await api.request('POST', '/api/citas', { token: secretaria, body: nueva, headers });
+    assert.equal(failed.status, 500);
+    assert.equal(api.db.clientes.filter((cliente) => cliente.dni === '999').length, 0);
+    assert.equal(api.db.citas.filter((cita) => cita.fecha_hora === nueva.fecha_hora).length, 0);
+
+    const retry = await api.request('POST', '/api/citas', { token: secretaria, body: nueva, headers });
+    assert.equal(retry.status, 201);
+    const [cliente] = api.db.clientes.filter((fila) => fila.dni === '999');
+    assert.equal(retry.body.cliente_id, cliente.id);
+    assert.deepEqual(api.db.citas_estado_historial.filter((fila) => fila.cita_id === retry.body.id).map((fila) => fila.estado_nuevo), ['programada']);
+
+    const replay = await api.request('POST', '/api/citas', { token: secretaria, body: nueva, headers });
+    assert.equal(replay.status, 201);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.body.id, retry.body.id);
+});
+
+test('un DNI repetido no deja la cita creada', async () => {
+    const response = await api.request('POST', '/api/citas', {
+        token: secretaria,
+        body: { doctor_id: 1, fecha_hora: at(lunes, '13:00'), duracion_minutos: 30, new_client_name: 'Otro', new_client_dni: '999' }
+    });
+    assert.equal(response.status, 409);
+    assert.equal(api.db.citas.filter((cita) => cita.fecha_hora === at(lunes, '13:00')).length, 0);
+});
+
+test('una clave en curso cuyo plazo venció la toma el reintento', async () => {
+    const headers = { 'Idempotency-Key': 'lote-revision' };
+    const lote = { doctor_id: 2, desde: lunes, accion: { tipo: 'cancelar' }, dry_run: true };
+    const first = await api.request('POST', '/api/citas/lote', { token: secretaria, body: lote, headers });
+    assert.equal(first.status, 200);
+
+    // Como si el proceso hubiera caído antes de responder: la clave queda reservada sin respuesta.
+    const [{ clave }] = api.db.idempotency_keys.filter((fila) => fila.status_code === 200 && fila.response_body.dry_run === true);
+    const reserva = () => api.db.idempotency_keys.find((fila) => fila.clave === clave);
+    Object.assign(reserva(), { status_code: null, response_body: null });
+
+    const enCurso = await api.request('POST', '/api/citas/lote', { token: secretaria, body: lote, headers });
+    assert.equal(enCurso.status, 409);
+    assert.equal(enCurso.body.reason, 'IDEMPOTENCY_IN_PROGRESS');
+
+    reserva().locked_until = new Date(Date.now() - 1000).toISOString();
+    const retry = await api.request('POST', '/api/citas/lote', { token: secretaria, body: lote, headers });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    assert.equal(reserva().status_code, 200);
+    assert.ok(reserva().locked_until > new Date().toISOString());
+});
@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createSeed, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let secretaria;
+
+before(async () => {
+    const seed = createSeed();
+    seed.citas.push({ id: 1, cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, estado: 'programada', recurso_ids: [], clinica_id: 1 });
+    api = await startApp({ seed });
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+});
+
+after(() => api.close());
+
+test('el ETag de GET permite modificar la cita; uno viejo recibe 412', async () => {
+    const cita = await api.request('GET', '/api/citas/1', { token: secretaria });
+    assert.equal(cita.status, 200);
+    const etag = cita.headers.get('etag');
+    assert.equal(etag, '"1"');
+
+    const updated = await api.request('PATCH', '/api/citas/1', { token: secretaria, body: { descripcion: 'Control' }, headers: { 'If-Match': etag } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.get('etag'), '"2"');
+
+    const stale = await api.request('PATCH', '/api/citas/1', { token: secretaria, body: { descripcion: 'Otra' }, headers: { 'If-Match': etag } });
+    assert.equal(stale.status, 412);
+    assert.equal(api.db.citas.find((row) => row.id === 1).descripcion, 'Control');
+});
+
+test('reprogramar y eliminar también respetan If-Match', async () => {
+    const reprogramar = await api.request('POST', '/api/citas/1/reprogramar', {
+        token: secretaria,
+        body: { fecha_hora: at(lunes, '12:00') },
+        headers: { 'If-Match': '"1"' }
+    });
+    assert.equal(reprogramar.status, 412);
+
+    const eliminar = await api.request('DELETE', '/api/citas/1', { token: secretaria, body: { motivo: 'Duplicada' }, headers: { 'If-Match': '"1"' } });
+    assert.equal(eliminar.status, 412);
+    assert.equal(api.db.citas.find((row) => row.id === 1).deleted_at, undefined);
+});
+
+test('clientes y doctores exponen su versión en GET', async () => {
+    const cliente = await api.request('GET', '/api/clientes/1', { token: secretaria });
+    assert.equal(cliente.status, 200);
+    assert.equal(cliente.headers.get('etag'), '"1"');
+
+    const stale = await api.request('PATCH', '/api/clientes/1', { token: secretaria, body: { activo: true }, headers: { 'If-Match': '"7"' } });
+    assert.equal(stale.status, 412);
+
+    const doctor = await api.request('GET', '/api/doctores/1', { token: secretaria });
+    assert.equal(doctor.headers.get('etag'), '"1"');
+});
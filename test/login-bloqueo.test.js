@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+let api;
+
+before(async () => {
+    api = await startApp({ env: { LOGIN_LOCKOUT_THRESHOLD: '3', LOGIN_LOCKOUT_BASE_MINUTES: '5' } });
+});
+
+after(() => api.close());
+
+test('la cuenta se bloquea tras LOGIN_LOCKOUT_THRESHOLD fallos consecutivos', async () => {
+    for (let i = 0; i < 3; i++) {
+        const failed = await api.request('POST', '/api/login', { body: { email: 'admin@test.com', password: 'incorrecta' } });
+        assert.equal(failed.status, 401);
+    }
+
+    // Durante el bloqueo ni la contraseña correcta inicia sesión.
+    const locked = await api.request('POST', '/api/login', { body: { email: 'admin@test.com', password: 'secret123' } });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.reason, 'ACCOUNT_LOCKED');
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    const attempts = api.db.login_intentos.filter((intento) => intento.email === 'admin@test.com');
+    assert.equal(attempts.length, 3, 'los intentos durante el bloqueo no se registran');
+
+    // El bloqueo es por cuenta: otros usuarios siguen entrando.
+    const other = await api.request('POST', '/api/login', { body: { email: 'doctora@test.com', password: 'secret123' } });
+    assert.equal(other.status, 200);
+});
+
+test('el email se normaliza igual para el bloqueo y para buscar al usuario', async () => {
+    const ok = await api.request('POST', '/api/login', { body: { email: 'Doctora@Test.com', password: 'secret123' } });
+    assert.equal(ok.status, 200);
+
+    for (const email of ['Secretaria@test.com', 'SECRETARIA@TEST.COM', 'secretaria@Test.com']) {
+        const failed = await api.request('POST', '/api/login', { body: { email, password: 'incorrecta' } });
+        assert.equal(failed.status, 401);
+    }
+
+    const locked = await api.request('POST', '/api/login', { body: { email: 'secretaria@test.com', password: 'secret123' } });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.reason, 'ACCOUNT_LOCKED');
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, proximoLunes, at } = require('./helpers/app');
+
+const lunes = proximoLunes();
+let api;
+let admin;
+let secretaria;
+let ecografo;
+
+before(async () => {
+    api = await startApp();
+    ({ token: admin } = await api.login('admin@test.com'));
+    ({ token: secretaria } = await api.login('secretaria@test.com'));
+
+    // Disponible solo los lunes de 09:00 a 12:00.
+    const recurso = await api.request('POST', '/api/recursos', {
+        token: admin,
+        body: { nombre: 'Ecógrafo', tipo: 'equipo', disponibilidad: [{ dia_semana: 1, hora_inicio: '09:00', hora_fin: '12:00' }] }
+    });
+    assert.equal(recurso.status, 201);
+    ecografo = recurso.body.id;
+
+    const cita = await api.request('POST', '/api/citas', {
+        token: secretaria,
+        body: { cliente_id: 1, doctor_id: 1, fecha_hora: at(lunes, '10:00'), duracion_minutos: 30, recurso_ids: [ecografo] }
+    });
+    assert.equal(cita.status, 201);
+});
+
+after(() => api.close());
+
+test('un recurso ocupado no puede reservarse con otro doctor, ni con sobreturno', async () => {
+    const body = { cliente_id: 1, doctor_id: 2, fecha_hora: at(lunes, '10:15'), duracion_minutos: 30, recurso_ids: [ecografo] };
+
+    const response = await api.request('POST', '/api/citas', { token: secretaria, body });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.reason, 'RESOURCE_DOUBLE_BOOKED');
+
+    const sobreturno = await api.request('POST', '/api/citas', { token: admin, body: { ...body, sobreturno: true } });
+    assert.equal(sobreturno.status, 409);
+    assert.equal(sobreturno.body.reason, 'RESOURCE_DOUBLE_BOOKED');
+});
+
+test('fuera de su disponibilidad el recurso no se puede reservar', async () => {
+    const response = await api.request('POST', '/api/citas', {
+        token: secretaria,
+        body: { cliente_id: 1, doctor_id: 2, fecha_hora: at(lunes, '13:00'), duracion_minutos: 30, recurso_ids: [ecografo] }
+    });
+    assert.equal(response.status, 400);
+    assert.match(response.body.details[0].message, /no está disponible en ese horario/);
+});
+
+test('la disponibilidad con recurso_ids descarta los turnos sin el recurso libre', async () => {
+    const response = await api.request('GET', `/api/disponibilidad?doctor_id=2&desde=${lunes}&hasta=${lunes}&recurso_ids=${ecografo}`, { token: secretaria });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.doctores[0].turnos.map((turno) => turno.hora), ['09:00', '09:30', '10:30', '11:00', '11:30']);
+});
+
+test('la agenda del recurso lista sus reservas y limita el rango', async () => {
+    const agenda = await api.request('GET', `/api/recursos/${ecografo}/agenda?desde=${lunes}&hasta=${lunes}`, { token: secretaria });
+    assert.equal(agenda.status, 200);
+    assert.deepEqual(agenda.body.citas.map((cita) => cita.fecha_hora), [at(lunes, '10:00')]);
+
+    const demasiado = await api.request('GET', `/api/recursos/${ecografo}/agenda?hasta=2099-01-01`, { token: secretaria });
+    assert.equal(demasiado.status, 400);
+});